@@ -0,0 +1,56 @@
+// The state the pages share: the color list (the home page and the color
+// settings page) and the home page's counters, keyed by id.
+var createStore = require("./store").createStore;
+
+var actions = {
+    setColors: function(state, colors) {
+        return colors === state.colors ? state : Object.assign({}, state, { colors: colors });
+    },
+    // `{ id, count }`
+    setCount: function(state, payload) {
+        if (state.counts[payload.id] === payload.count) {
+            return state;
+        }
+        var counts = Object.assign({}, state.counts);
+        counts[payload.id] = payload.count;
+        return Object.assign({}, state, { counts: counts });
+    }
+};
+
+// `colors` stays null until a page sets it, so each page falls back to its
+// own defaults; counters missing from `counts` are at their initial value.
+exports.createAppStore = function(state) {
+    return createStore(actions, Object.assign({ colors: null, counts: {} }, state));
+};
+
+var browserStore = null;
+
+// For use in onCreate(input, out): `getAppStore(out.global)`. Server renders
+// (and tests) pass a store per render as `$global.store`; in the browser every
+// component shares one, started from the state the server rendered with.
+exports.getAppStore = function(global) {
+    if (global.store) {
+        return global.store;
+    }
+    if (typeof window === "undefined") {
+        // Never share one between server renders.
+        global.store = exports.createAppStore();
+        return global.store;
+    }
+    if (!browserStore) {
+        browserStore = exports.createAppStore(global.appState);
+    }
+    return browserStore;
+};
+
+// `$global` for a server render using `store`. Its state is serialized with
+// the page as `appState` (read when Marko writes out the components, so it
+// includes anything dispatched while rendering).
+exports.createGlobals = function(store) {
+    var globals = { store: store, serializedGlobals: { appState: true } };
+    Object.defineProperty(globals, "appState", {
+        enumerable: true,
+        get: store.getState
+    });
+    return globals;
+};
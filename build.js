@@ -0,0 +1,147 @@
+// Generates build/routes.js from pages/ (see generate-routes.js), bundles
+// client.js with lasso, renders pages/layout.marko with the resulting tags into
+// build/index.html and writes the slots/manifest files under build/ that
+// server.js reads. JavaScript bundles get a source map next to them (see source-maps.js).
+//
+//   node build.js                 development bundle (unminified, stable names)
+//   node build.js --production    minified, fingerprinted, marko production runtime
+//   node build.js --if-missing    only if there is no build yet (`npm run serve`
+//                                 must not replace a production build)
+var production = process.argv.indexOf("--production") !== -1;
+if (production) {
+    // Must be set before marko is loaded so templates compile against marko/dist.
+    process.env.NODE_ENV = "production";
+}
+
+var fs = require("fs");
+var path = require("path");
+var lasso = require("lasso");
+var appStore = require("./app-store");
+var generateRoutes = require("./generate-routes");
+var sourceMaps = require("./source-maps");
+
+var pkg = require("./package.json");
+
+var staticDir = path.join(__dirname, "static");
+var buildDir = path.join(__dirname, "build");
+var htmlFile = path.join(buildDir, "index.html");
+var manifestFile = path.join(buildDir, "manifest.json");
+var routesFile = path.join(buildDir, "routes.js");
+var slotsFile = path.join(buildDir, "index.html.json");
+
+if (process.argv.indexOf("--if-missing") !== -1 && [manifestFile, slotsFile, routesFile].every(fs.existsSync)) {
+    process.exit(0);
+}
+
+lasso.configure({
+    plugins: ["lasso-marko"],
+    outputDir: staticDir,
+    urlPrefix: "%STATIC_PATH%",
+    // Registers the module runtime as $_mod_marko_app_a instead of the shared
+    // $_mod, so other lasso-built apps on the same page can't clobber ours.
+    noConflict: pkg.name,
+    bundlingEnabled: true,
+    // JavaScript is minified by source-maps.js so its map survives minification.
+    minifyCSS: production,
+    fingerprintsEnabled: production
+});
+
+// The home page, prerendered for static hosting and dev-server.js. Other
+// paths get the same file and app-router switches to their page on load.
+function renderIndexHtml(slots) {
+    require("marko/node-require").install();
+    var layout = require("./pages/layout.marko");
+    return layout.renderToString({
+        slots: {
+            head: (slots.head || "").replace(/%STATIC_PATH%/g, "/static"),
+            body: (slots.body || "").replace(/%STATIC_PATH%/g, "/static")
+        },
+        url: "/",
+        $global: appStore.createGlobals(appStore.createAppStore())
+    });
+}
+
+function listFiles(manifest) {
+    return Object.keys(manifest.pages).reduce(function(files, name) {
+        var page = manifest.pages[name];
+        var async = page.async || { js: [], css: [] };
+        return files.concat(page.js, page.css, async.js, async.css);
+    }, []);
+}
+
+// Fingerprinted names change on every build, so drop the previous build's
+// files that the new one no longer uses.
+function removeStaleFiles(manifest) {
+    if (!fs.existsSync(manifestFile)) {
+        return;
+    }
+    var current = listFiles(manifest);
+    listFiles(JSON.parse(fs.readFileSync(manifestFile, "utf8"))).forEach(function(file) {
+        if (current.indexOf(file) !== -1) {
+            return;
+        }
+        [file, file + ".map"].forEach(function(staleFile) {
+            if (fs.existsSync(path.join(staticDir, staleFile))) {
+                fs.unlinkSync(path.join(staticDir, staleFile));
+            }
+        });
+    });
+}
+
+function listOutputFiles(result, contentType, async) {
+    return result.getOutputFilesWithInfo().filter(function(file) {
+        return file.contentType === contentType && Boolean(file.async) === async;
+    }).map(function(file) {
+        return path.relative(staticDir, file.path).split(path.sep).join("/");
+    });
+}
+
+// The bundle requires the route table, so it must exist first.
+generateRoutes.write(path.join(__dirname, "pages"), routesFile);
+
+lasso.lassoPage({
+    name: "index",
+    // Resolves to client.js through the "browser" field in package.json.
+    dependencies: ["require-run: ./"],
+    from: __dirname
+}).then(function(result) {
+    result.getJavaScriptFiles().forEach(function(file) {
+        // Async bundle URLs in the loader metadata are fetched at runtime, where
+        // there is nothing to fill in %STATIC_PATH%; both servers mount static/
+        // at /static.
+        var code = fs.readFileSync(file, "utf8");
+        if (code.indexOf("%STATIC_PATH%") !== -1) {
+            fs.writeFileSync(file, code.replace(/%STATIC_PATH%/g, "/static"));
+        }
+        sourceMaps.writeSourceMap(file, { rootDir: __dirname, minify: production });
+    });
+
+    var slots = result.getHtmlBySlot();
+
+    // Maps each page to the files it needs, relative to static/, so servers
+    // and deploy tooling can find fingerprinted names without parsing HTML.
+    // `async` bundles are fetched at runtime by lasso-loader.
+    var manifest = {
+        production: production,
+        pages: {
+            index: {
+                js: listOutputFiles(result, "js", false),
+                css: listOutputFiles(result, "css", false),
+                async: {
+                    js: listOutputFiles(result, "js", true),
+                    css: listOutputFiles(result, "css", true)
+                }
+            }
+        }
+    };
+
+    removeStaleFiles(manifest);
+    fs.writeFileSync(htmlFile, renderIndexHtml(slots));
+    fs.writeFileSync(slotsFile, JSON.stringify(slots, null, 4));
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 4) + "\n");
+
+    console.log("Built " + listFiles(manifest).join(", ") + (production ? " (production)" : ""));
+}).catch(function(err) {
+    console.error(err.stack || err);
+    process.exitCode = 1;
+});
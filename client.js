@@ -1,3 +1,4 @@
-var helloComponent = require("./index");
-
-helloComponent.renderSync({ name: "Marko" }).appendTo(document.body);
+// server.js and build.js render pages/layout.marko around the app; loading it
+// here registers every component on the page so init() can hydrate them.
+require("./pages/layout.marko");
+require("marko/components").init();
@@ -0,0 +1,13 @@
+// Usage: node decode-stack.js < stack.txt
+// Rewrites bundle locations in a browser stack trace to source locations.
+var path = require("path");
+var decodeStack = require("./source-maps").decodeStack;
+
+var input = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", function(chunk) {
+    input += chunk;
+});
+process.stdin.on("end", function() {
+    process.stdout.write(decodeStack(input, path.join(__dirname, "static")));
+});
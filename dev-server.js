@@ -0,0 +1,74 @@
+var childProcess = require("child_process");
+var fs = require("fs");
+var http = require("http");
+var path = require("path");
+
+var serveStatic = require("./serve-static");
+
+var port = process.env.PORT || 8080;
+var serveBuild = serveStatic(path.join(__dirname, "build"));
+var serveBundle = serveStatic(path.join(__dirname, "static"));
+
+// Build output must not mark the bundle stale.
+var ignored = /^(node_modules|static|build|\.git|\.cache)([\/\\]|$)|\.marko\.js$/;
+var stale = true;
+var building = null;
+
+fs.watch(__dirname, { recursive: true }, function(eventType, filename) {
+    if (filename && !ignored.test(filename)) {
+        stale = true;
+    }
+});
+
+// Runs `npm run build:marko` at most once at a time; requests that arrive
+// during a build wait for it instead of starting another one.
+function rebuild(callback) {
+    if (!building) {
+        stale = false;
+        building = [];
+        console.log("Source changed, rebuilding...");
+        childProcess.exec("npm run build:marko", { cwd: __dirname }, function(err, stdout, stderr) {
+            var callbacks = building;
+            building = null;
+            if (err) {
+                stale = true;
+                console.error(stderr || err.message);
+            }
+            callbacks.forEach(function(callback) {
+                callback(err);
+            });
+        });
+    }
+    building.push(callback);
+}
+
+var server = http.createServer(function(req, res) {
+    var pathname = req.url.split("?")[0];
+    var serve;
+    if (pathname.indexOf("/static/") === 0) {
+        serve = serveBundle.bind(null, req, res, pathname.slice("/static".length));
+    } else if (pathname === "/index.html" || !path.extname(pathname)) {
+        // Any page path gets build/index.html; the client-side router picks the
+        // route.
+        serve = serveBuild.bind(null, req, res, "/index.html");
+    } else {
+        res.statusCode = 404;
+        return res.end();
+    }
+
+    if (!stale && !building) {
+        return serve();
+    }
+    rebuild(function(err) {
+        if (err) {
+            res.statusCode = 500;
+            res.setHeader("Content-Type", "text/plain; charset=utf-8");
+            return res.end("lasso build failed:\n\n" + err.message);
+        }
+        serve();
+    });
+});
+
+server.listen(port, function() {
+    console.log("Development server listening on http://localhost:" + port);
+});
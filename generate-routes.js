@@ -0,0 +1,98 @@
+var fs = require("fs");
+var path = require("path");
+
+// Builds the route table for router.js from the pages/ directory:
+//
+//   pages/index.marko             /
+//   pages/counters/[id].marko     /counters/:id
+//   pages/settings/layout.marko   wraps every page under /settings
+//   pages/settings/colors.marko   /settings/colors
+//
+// The top-level layout.marko is the HTML document rather than a route; the
+// server and build.js render it around the router.
+//
+// build.js writes the table to build/routes.js, and so does
+// `node generate-routes.js`, which runs before `npm test`.
+
+function toSegment(name) {
+    var param = /^\[(\w+)\]$/.exec(name);
+    return param ? ":" + param[1] : name;
+}
+
+// index first, then fixed names, then params, so "new" wins over "[id]".
+function compareRoutes(a, b) {
+    function rank(route) {
+        return route.path === "" ? 0 : route.path.indexOf(":") === -1 ? 1 : 2;
+    }
+    return rank(a) - rank(b) || (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+}
+
+function readRoutes(dir, relativeDir, isRoot) {
+    var routes = [];
+
+    fs.readdirSync(dir).forEach(function(name) {
+        var file = path.join(dir, name);
+        var relativeFile = relativeDir ? relativeDir + "/" + name : name;
+
+        if (fs.statSync(file).isDirectory()) {
+            var children = readRoutes(file, relativeFile, false);
+            var segment = toSegment(name);
+            if (fs.existsSync(path.join(file, "layout.marko"))) {
+                routes.push({ path: segment, file: relativeFile + "/layout.marko", children: children });
+            } else {
+                children.forEach(function(child) {
+                    routes.push(Object.assign({}, child, { path: child.path ? segment + "/" + child.path : segment }));
+                });
+            }
+        } else if (path.extname(name) === ".marko" && name !== "layout.marko") {
+            var basename = path.basename(name, ".marko");
+            routes.push({ path: basename === "index" ? "" : toSegment(basename), file: relativeFile });
+        }
+    });
+
+    if (isRoot && !routes.length) {
+        throw new Error("No pages found in " + dir);
+    }
+    return routes.sort(compareRoutes);
+}
+
+function printRoutes(routes, requirePrefix, indent) {
+    return routes.map(function(route) {
+        var lines = [
+            indent + "    path: " + JSON.stringify(route.path) + ",",
+            indent + "    component: require(" + JSON.stringify(requirePrefix + route.file) + ")"
+        ];
+        if (route.children) {
+            lines[1] += ",";
+            lines.push(indent + "    children: [");
+            lines.push(printRoutes(route.children, requirePrefix, indent + "        "));
+            lines.push(indent + "    ]");
+        }
+        return indent + "{\n" + lines.join("\n") + "\n" + indent + "}";
+    }).join(",\n");
+}
+
+// Returns the route table as a module for `outFile` to contain.
+function generateRoutes(pagesDir, outFile) {
+    var requirePrefix = path.relative(path.dirname(outFile), pagesDir).split(path.sep).join("/") + "/";
+    if (requirePrefix.charAt(0) !== ".") {
+        requirePrefix = "./" + requirePrefix;
+    }
+
+    return "// Generated from " + path.basename(pagesDir) + "/ by generate-routes.js; do not edit.\n" +
+        "module.exports = [\n" +
+        printRoutes(readRoutes(pagesDir, "", true), requirePrefix, "    ") + "\n" +
+        "];\n";
+}
+
+// Writes the route table for `pagesDir` to `outFile`.
+generateRoutes.write = function(pagesDir, outFile) {
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, generateRoutes(pagesDir, outFile));
+};
+
+module.exports = generateRoutes;
+
+if (require.main === module) {
+    generateRoutes.write(path.join(__dirname, "pages"), path.join(__dirname, "build/routes.js"));
+}
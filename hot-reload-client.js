@@ -0,0 +1,87 @@
+// Loaded only when server.js runs with --hot. It is defined as a lasso module
+// so that it gets a `require` with access to the bundle's module cache.
+
+// `data-modules-runtime` names the lasso runtime global (see build.js).
+var runtime = window[document.currentScript.getAttribute("data-modules-runtime")];
+runtime.def("/__hot-reload-client", function(require) {
+    function isTemplate(id) {
+        return /\.marko$/.test(id) && require.cache[id].exports.Component;
+    }
+
+    // Redefines the edited template module, then moves each mounted instance
+    // onto the new prototype and re-renders it, so `state` survives. Changes
+    // to onCreate only affect instances created afterwards.
+    //
+    // Templates capture the renderers of the tags they use when they load, so
+    // every loaded template is re-evaluated, not just the edited one.
+    function applyUpdate(update) {
+        if (!require.cache[update.id]) {
+            return false;
+        }
+
+        var components = runtime.require(runtime.resolve("marko/components", update.id)[0], "/");
+        var ids = Object.keys(require.cache).filter(isTemplate);
+        var oldTemplates = ids.map(function(id) {
+            return require.cache[id].exports;
+        });
+        var instances = ids.map(function() {
+            return [];
+        });
+
+        var elements = document.querySelectorAll("*");
+        for (var i = 0; i < elements.length; i++) {
+            var component = components.getComponentForEl(elements[i]);
+            oldTemplates.forEach(function(template, index) {
+                if (component instanceof template.Component && instances[index].indexOf(component) === -1) {
+                    instances[index].push(component);
+                }
+            });
+        }
+
+        runtime.def(update.id, new Function("require", "exports", "module", "__filename", "__dirname", update.code));
+        ids.forEach(function(id) {
+            delete require.cache[id];
+        });
+
+        ids.forEach(function(id, index) {
+            var template = runtime.require(id, "/");
+            // Modules outside the templates (e.g. client.js) keep the old object.
+            Object.assign(oldTemplates[index], template);
+            instances[index].forEach(function(component) {
+                Object.setPrototypeOf(component, template.Component.prototype);
+                component.forceUpdate();
+            });
+        });
+        return true;
+    }
+
+    function reloadStylesheets() {
+        var links = document.querySelectorAll("link[rel=stylesheet]");
+        for (var i = 0; i < links.length; i++) {
+            links[i].href = links[i].href.replace(/[?#].*$/, "") + "?hot=" + Date.now();
+        }
+    }
+
+    var events = new EventSource("/__hot/events");
+
+    events.addEventListener("update", function(event) {
+        var update = JSON.parse(event.data);
+        try {
+            if (applyUpdate(update)) {
+                console.log("[hot-reload] Updated " + update.id);
+                return;
+            }
+        } catch (err) {
+            console.error("[hot-reload] Failed to update " + update.id, err);
+        }
+        location.reload();
+    });
+
+    events.addEventListener("css", reloadStylesheets);
+
+    events.addEventListener("compile-error", function(event) {
+        console.error("[hot-reload] " + JSON.parse(event.data).message);
+    });
+});
+
+runtime.run("/__hot-reload-client");
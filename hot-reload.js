@@ -0,0 +1,91 @@
+var fs = require("fs");
+var path = require("path");
+
+var markoHotReload = require("marko/hot-reload");
+var compiler = require("marko/compiler");
+
+// Must run before any template is loaded so server renders pick up edits too.
+markoHotReload.enable({ silent: true });
+
+var pkg = require("./package.json");
+
+var clientFile = path.join(__dirname, "hot-reload-client.js");
+// The global lasso derives from the `noConflict` option in build.js.
+var modulesRuntimeGlobal = "$_mod_" + pkg.name.replace(/[^a-zA-Z0-9_$]+/g, "_");
+var ignored = /(^|[\/\\])(node_modules|\.git)([\/\\]|$)|\.marko\.js$/;
+
+// Watches rootDir and pushes changes to open pages over server-sent events:
+// a recompiled browser module for each edited .marko file, and a `css` event
+// once the lasso build has rewritten a stylesheet under static/.
+module.exports = function createHotReload(rootDir) {
+    var clients = [];
+    var timers = {};
+
+    function broadcast(event, data) {
+        var message = "event: " + event + "\ndata: " + JSON.stringify(data || {}) + "\n\n";
+        clients.forEach(function(res) {
+            res.write(message);
+        });
+    }
+
+    function handleChange(filename) {
+        var file = path.join(rootDir, filename);
+        var extname = path.extname(file);
+
+        if (extname === ".marko") {
+            markoHotReload.handleFileModified(file, { silent: true });
+
+            var compiled;
+            try {
+                compiled = compiler.compileForBrowser(fs.readFileSync(file, "utf8"), file);
+            } catch (err) {
+                console.error("[hot-reload] " + err.message);
+                return broadcast("compile-error", { message: err.message });
+            }
+            broadcast("update", { id: compiled.meta.id, code: compiled.code });
+        } else if (extname === ".css" && filename.split(path.sep)[0] === "static") {
+            broadcast("css");
+        }
+    }
+
+    fs.watch(rootDir, { recursive: true }, function(eventType, filename) {
+        if (!filename || ignored.test(filename)) {
+            return;
+        }
+        // Editors and lasso fire several events per save.
+        clearTimeout(timers[filename]);
+        timers[filename] = setTimeout(function() {
+            delete timers[filename];
+            if (fs.existsSync(path.join(rootDir, filename))) {
+                handleChange(filename);
+            }
+        }, 50);
+    });
+
+    return {
+        scriptTag: "<script src=\"/__hot/client.js\" data-modules-runtime=\"" + modulesRuntimeGlobal + "\"></script>",
+
+        // Returns true when the request was one of the hot reload endpoints.
+        handle: function(req, res) {
+            if (req.url === "/__hot/events") {
+                res.writeHead(200, {
+                    "Content-Type": "text/event-stream",
+                    "Cache-Control": "no-cache",
+                    "Connection": "keep-alive"
+                });
+                res.write("\n");
+                clients.push(res);
+                req.on("close", function() {
+                    clients.splice(clients.indexOf(res), 1);
+                });
+                return true;
+            }
+            if (req.url === "/__hot/client.js") {
+                res.setHeader("Content-Type", "application/javascript; charset=utf-8");
+                fs.createReadStream(clientFile).pipe(res);
+                return true;
+            }
+            return false;
+        }
+    };
+};
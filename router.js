@@ -0,0 +1,96 @@
+// Matching and navigation for the routes build.js generates from pages/ into
+// build/routes.js; the app-router component renders the result.
+//
+// A route is `{ path, component, input, children }`. `path` segments starting
+// with ":" capture URL params, and a route with `children` is a layout whose
+// matched child renders where it includes `input.renderBody`; a layout matches
+// no path that none of its children do.
+
+var urlState = require("./url-state");
+
+function splitPath(path) {
+    return path.split("/").filter(Boolean);
+}
+
+function matchRoute(route, segments, params) {
+    var routeSegments = splitPath(route.path);
+    if (routeSegments.length > segments.length) {
+        return null;
+    }
+
+    params = Object.assign({}, params);
+    for (var i = 0; i < routeSegments.length; i++) {
+        if (routeSegments[i].charAt(0) === ":") {
+            params[routeSegments[i].slice(1)] = segments[i];
+        } else if (routeSegments[i] !== segments[i]) {
+            return null;
+        }
+    }
+
+    var rest = segments.slice(routeSegments.length);
+    var children = route.children || [];
+    for (var j = 0; j < children.length; j++) {
+        var match = matchRoute(children[j], rest, params);
+        if (match) {
+            return { routes: [route].concat(match.routes), params: match.params };
+        }
+    }
+
+    // A layout only renders around one of its children.
+    if (children.length || rest.length) {
+        return null;
+    }
+    return { routes: [route], params: params };
+}
+
+// Returns `{ routes, params }`, outermost layout first, or null when nothing
+// matches. Routes are tried in order.
+exports.matchRoutes = function(routes, pathname) {
+    var segments;
+    try {
+        segments = splitPath(pathname).map(decodeURIComponent);
+    } catch (err) {
+        // Malformed percent-encoding can't match anything.
+        return null;
+    }
+
+    for (var i = 0; i < routes.length; i++) {
+        var match = matchRoute(routes[i], segments, {});
+        if (match) {
+            return match;
+        }
+    }
+    return null;
+};
+
+// Goes to `url` without a page load. app-router listens for popstate, so the
+// same event covers these navigations and the back/forward buttons.
+exports.navigate = function(url, options) {
+    var replace = options && options.replace;
+    // Pending query string state belongs to the entry we're leaving.
+    urlState.flush();
+    window.history[replace ? "replaceState" : "pushState"](null, "", url);
+    window.dispatchEvent(new PopStateEvent("popstate", { state: null }));
+};
+
+// The `<a>` a click should be routed for, or null when the browser should
+// handle it: modified clicks, other targets, downloads, other origins, in-page
+// anchors and links marked `data-external` are left alone.
+exports.getRoutedLink = function(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return null;
+    }
+
+    var link = event.target.closest && event.target.closest("a[href]");
+    if (!link || (link.target && link.target !== "_self") || link.hasAttribute("download") || link.hasAttribute("data-external")) {
+        return null;
+    }
+    if (link.origin !== window.location.origin) {
+        return null;
+    }
+    // In-page anchors scroll natively.
+    if (link.hash && link.pathname === window.location.pathname && link.search === window.location.search) {
+        return null;
+    }
+    return link;
+};
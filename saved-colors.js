@@ -0,0 +1,21 @@
+// The color list shared by the home page and the color settings page, kept in
+// local storage.
+var webStorage = require("./web-storage");
+
+var STORAGE_KEY = "colors";
+
+// What both pages show until colors are saved.
+exports.DEFAULT_COLORS = ["red", "green", "blue"];
+
+// The saved colors, or null when there are none (or they're unreadable).
+exports.load = function(services) {
+    var colors = webStorage.load(services, "local", STORAGE_KEY);
+    var isValid = Array.isArray(colors) && colors.every(function(color) {
+        return typeof color === "string";
+    });
+    return isValid ? colors : null;
+};
+
+exports.save = function(services, colors) {
+    webStorage.save(services, "local", STORAGE_KEY, colors);
+};
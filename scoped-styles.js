@@ -0,0 +1,102 @@
+var crypto = require("crypto");
+var path = require("path");
+
+var compiler = require("marko/compiler");
+
+var CLASS_SELECTOR = /\.(-?[_a-zA-Z][_a-zA-Z0-9-]*)/g;
+var SELECTOR = /([^{}]+)\{/g;
+
+function hashFile(filename) {
+    // Relative to the project so the hash is the same on every machine.
+    var relativePath = path.relative(__dirname, filename).split(path.sep).join("/");
+    return crypto.createHash("md5").update(relativePath).digest("hex").slice(0, 6);
+}
+
+// Only selectors are rewritten; declaration blocks are left untouched.
+function scopeCss(css, rename) {
+    return css.replace(SELECTOR, function(match, selector) {
+        return selector.replace(CLASS_SELECTOR, function(classMatch, className) {
+            return "." + rename(className);
+        }) + "{";
+    });
+}
+
+function scopeClassValue(value, rename) {
+    if (value.type === "Literal" && typeof value.value === "string") {
+        value.value = value.value.split(/\s+/).map(rename).join(" ");
+    } else if (value.type === "ArrayExpression") {
+        value.elements.forEach(function(element) {
+            scopeClassValue(element, rename);
+        });
+    } else if (value.type === "ObjectExpression") {
+        value.properties.forEach(function(property) {
+            if (property.key.type === "Literal") {
+                property.key.value = rename(property.key.value);
+            } else if (property.key.type === "Identifier" && !property.computed) {
+                property.key = compiler.builder.literal(rename(property.key.name));
+            }
+        });
+    }
+}
+
+// Runs while the template is parsed, before Marko extracts the style block
+// into the page's CSS bundle, so the bundle gets the renamed selectors.
+function scopeStyle(styleEl, context) {
+    var isBlock = styleEl.attributes.some(function(attr) {
+        return attr.name.startsWith("{");
+    });
+    if (!isBlock || !styleEl.hasAttribute("scoped")) {
+        return styleEl;
+    }
+    styleEl.removeAttribute("scoped");
+
+    var suffix = "_" + hashFile(context.filename);
+    var classes = {};
+    styleEl.attributes.forEach(function(attr) {
+        if (attr.name.startsWith("{")) {
+            attr.name = "{" + scopeCss(attr.name.slice(1, -1), function(className) {
+                classes[className] = true;
+                return className + suffix;
+            }) + "}";
+        }
+    });
+
+    context.data.scopedStyles = { classes: classes, suffix: suffix };
+    return styleEl;
+}
+
+// Runs once the whole template is parsed, so markup before the style block is
+// covered too.
+function scopeTemplate(root, context) {
+    var scoped = context.data.scopedStyles;
+    if (!scoped) {
+        return root;
+    }
+
+    function rename(className) {
+        return scoped.classes[className] ? className + scoped.suffix : className;
+    }
+
+    compiler.createWalker({
+        enter: function(node) {
+            if (node.type === "HtmlElement" && node.tagName !== "style") {
+                var classAttr = node.getAttribute("class");
+                if (classAttr && classAttr.value) {
+                    scopeClassValue(classAttr.value, rename);
+                }
+            }
+        }
+    }).walk(root);
+    return root;
+}
+
+// Opt-in with `style scoped { ... }`: each class defined in the block gets a
+// suffix unique to the template, and the template's static class names
+// (strings, arrays and object keys) are renamed to match. Class names built at
+// runtime, e.g. `class=someVariable`, are left alone.
+//
+// marko.json registers this as both the `<style>` node factory and a template
+// transformer, which is why it dispatches on the node type.
+module.exports = function scopedStyles(node, context) {
+    return node.type === "TemplateRoot" ? scopeTemplate(node, context) : scopeStyle(node, context);
+};
@@ -0,0 +1,106 @@
+var fs = require("fs");
+var path = require("path");
+var zlib = require("zlib");
+
+var contentTypes = {
+    ".css": "text/css; charset=utf-8",
+    ".html": "text/html; charset=utf-8",
+    ".js": "application/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".map": "application/json; charset=utf-8",
+    ".png": "image/png",
+    ".svg": "image/svg+xml",
+    ".woff2": "font/woff2"
+};
+var compressible = /^(text\/|application\/(javascript|json)|image\/svg)/;
+
+function notFound(res) {
+    res.statusCode = 404;
+    res.end();
+}
+
+function getEncoding(req, contentType) {
+    var accepted = req.headers["accept-encoding"] || "";
+    if (!compressible.test(contentType)) {
+        return null;
+    }
+    if (/\bbr\b/.test(accepted)) {
+        return "br";
+    }
+    if (/\bgzip\b/.test(accepted)) {
+        return "gzip";
+    }
+    return null;
+}
+
+// Creates a handler that serves `pathname` from rootDir with content types,
+// ETag/Last-Modified revalidation and gzip/brotli compression. `cacheControl`
+// is a header value or a function of the pathname returning one; it defaults
+// to "no-cache" so browsers revalidate unfingerprinted files.
+module.exports = function serveStatic(rootDir, options) {
+    var cacheControl = (options && options.cacheControl) || "no-cache";
+
+    return function(req, res, pathname) {
+        var file;
+        try {
+            file = path.join(rootDir, path.normalize(decodeURIComponent(pathname)));
+        } catch (err) {
+            return notFound(res);
+        }
+        // fs throws synchronously on paths with a null byte (from `%00`).
+        if (file.indexOf("\0") !== -1 || file.indexOf(rootDir + path.sep) !== 0) {
+            return notFound(res);
+        }
+
+        fs.stat(file, function(err, stat) {
+            if (err || !stat.isFile()) {
+                return notFound(res);
+            }
+
+            var contentType = contentTypes[path.extname(file)] || "application/octet-stream";
+            var etag = "W/\"" + stat.size.toString(16) + "-" + stat.mtime.getTime().toString(16) + "\"";
+            var encoding = getEncoding(req, contentType);
+
+            res.setHeader("Content-Type", contentType);
+            res.setHeader("Cache-Control", typeof cacheControl === "function" ? cacheControl(pathname) : cacheControl);
+            res.setHeader("ETag", etag);
+            res.setHeader("Last-Modified", stat.mtime.toUTCString());
+            res.setHeader("Vary", "Accept-Encoding");
+
+            if (req.headers["if-none-match"] === etag) {
+                res.statusCode = 304;
+                return res.end();
+            }
+            if (encoding) {
+                res.setHeader("Content-Encoding", encoding);
+            } else {
+                res.setHeader("Content-Length", stat.size);
+            }
+            if (req.method === "HEAD") {
+                return res.end();
+            }
+
+            var stream = fs.createReadStream(file);
+            // The file can disappear between stat and open (e.g. a production
+            // build removing stale fingerprinted files).
+            stream.on("error", function() {
+                if (res.headersSent) {
+                    return res.destroy();
+                }
+                // Drop everything describing the file so the 404 isn't cached
+                // (fingerprinted files are "immutable") or taken for it.
+                ["Content-Type", "Cache-Control", "ETag", "Last-Modified", "Content-Encoding", "Content-Length"]
+                    .forEach(function(name) {
+                        res.removeHeader(name);
+                    });
+                notFound(res);
+            });
+            if (encoding === "br") {
+                stream = stream.pipe(zlib.createBrotliCompress());
+            } else if (encoding === "gzip") {
+                stream = stream.pipe(zlib.createGzip());
+            }
+            stream.pipe(res);
+        });
+    };
+};
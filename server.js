@@ -0,0 +1,125 @@
+require("marko/node-require").install();
+
+var fs = require("fs");
+var http = require("http");
+var path = require("path");
+
+// `--hot` pushes .marko edits to open pages; see hot-reload.js.
+var hotReload = process.argv.indexOf("--hot") !== -1 ? require("./hot-reload")(__dirname) : null;
+
+var appStore = require("./app-store");
+var serveStatic = require("./serve-static");
+var layout = require("./pages/layout");
+var matchRoutes = require("./router").matchRoutes;
+var routes = require("./build/routes");
+
+var port = process.env.PORT || 8080;
+var serveBundle = serveStatic(path.join(__dirname, "static"), {
+    cacheControl: function(pathname) {
+        return isFingerprinted(pathname.slice(1)) ? "public, max-age=31536000, immutable" : "no-cache";
+    }
+});
+
+// build.js rewrites its outputs while the server runs (`npm start` rebuilds
+// on every edit), so each one is parsed on first use and again after it
+// changes rather than on every request. While a rebuild has it missing or
+// half-written the last good parse is kept; with none yet, this throws.
+function watchBuildFile(name, parse) {
+    var file = path.join(__dirname, "build", name);
+    var cached = null;
+    var stale = true;
+    var watching = false;
+    return function() {
+        if (!watching) {
+            watching = true;
+            fs.watchFile(file, { interval: 500 }, function() {
+                stale = true;
+            }).unref();
+        }
+        if (stale) {
+            try {
+                cached = parse(JSON.parse(fs.readFileSync(file, "utf8")));
+                stale = false;
+            } catch (err) {
+                if (!cached) {
+                    throw err;
+                }
+            }
+        }
+        return cached;
+    };
+}
+
+// The lasso build writes the <script>/<link> tags it rendered into
+// build/index.html to this slots file, so the server-rendered page loads the
+// same bundle.
+var getSlots = watchBuildFile("index.html.json", function(slots) {
+    return {
+        head: slots.head.replace(/%STATIC_PATH%/g, "/static"),
+        body: slots.body.replace(/%STATIC_PATH%/g, "/static") + (hotReload ? hotReload.scriptTag : "")
+    };
+});
+
+// Files from a production build have content hashes in their names, so they
+// can be cached forever; build/manifest.json lists them.
+var getFingerprintedFiles = watchBuildFile("manifest.json", function(manifest) {
+    if (!manifest.production) {
+        return [];
+    }
+    return Object.keys(manifest.pages).reduce(function(files, name) {
+        var page = manifest.pages[name];
+        return files.concat(page.js, page.css, page.async.js, page.async.css);
+    }, []);
+});
+
+// Without a manifest nothing is known to be fingerprinted, and "no-cache" is
+// always safe.
+function isFingerprinted(file) {
+    try {
+        return getFingerprintedFiles().indexOf(file) !== -1;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Every page is rendered by the app-router inside pages/layout.marko, which
+// takes over in the browser; unknown paths get its "not found" page with a 404.
+// Each request gets its own store, handed to the browser with the page.
+function sendPage(req, res, pathname) {
+    var slots;
+    try {
+        slots = getSlots();
+    } catch (err) {
+        // No build yet (or the first one is still being written).
+        res.statusCode = 503;
+        res.setHeader("Retry-After", "1");
+        return res.end();
+    }
+    res.statusCode = matchRoutes(routes, pathname) ? 200 : 404;
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    layout.render({
+        slots: slots,
+        url: req.url,
+        $global: appStore.createGlobals(appStore.createAppStore())
+    }, res);
+}
+
+var server = http.createServer(function(req, res) {
+    if (hotReload && hotReload.handle(req, res)) {
+        return;
+    }
+    var pathname = req.url.split("?")[0];
+    if (pathname.indexOf("/static/") === 0) {
+        serveBundle(req, res, pathname.slice("/static".length));
+    } else {
+        sendPage(req, res, pathname);
+    }
+});
+
+if (require.main === module) {
+    server.listen(port, function() {
+        console.log("Listening on http://localhost:" + port);
+    });
+}
+
+module.exports = server;
@@ -0,0 +1,67 @@
+// Components read the clock, random numbers and web storage through these
+// services rather than Date, Math.random and window, so tests and server
+// renders can pass fixed ones as `$global.services`:
+//
+//     template.render({ $global: { services: createServices({ time: { now: () => 0 } }) } })
+//
+// `$global.services` is never serialized, so hydrated components in the
+// browser always get the defaults.
+
+function getStorage(type) {
+    // Access throws when storage is disabled (e.g. some private browsing modes).
+    try {
+        if (typeof window === "undefined") {
+            return null;
+        }
+        return type === "session" ? window.sessionStorage : window.localStorage;
+    } catch (err) {
+        return null;
+    }
+}
+
+var defaultServices = {
+    time: {
+        now: function() {
+            return Date.now();
+        }
+    },
+    random: {
+        next: function() {
+            return Math.random();
+        }
+    },
+    storage: {
+        // "local" or "session"; null when unavailable.
+        get: getStorage
+    }
+};
+
+// Defaults with the given services replaced.
+exports.createServices = function(overrides) {
+    return Object.assign({}, defaultServices, overrides);
+};
+
+// For use in onCreate(input, out): `getServices(out.global)`.
+exports.getServices = function(global) {
+    return (global && global.services) || defaultServices;
+};
+
+// A Storage stand-in that keeps values in memory, e.g. for tests:
+// `storage: { get: () => memoryStorage }`.
+exports.createMemoryStorage = function(initial) {
+    var items = Object.assign({}, initial);
+    return {
+        getItem: function(key) {
+            return items.hasOwnProperty(key) ? items[key] : null;
+        },
+        setItem: function(key, value) {
+            items[key] = String(value);
+        },
+        removeItem: function(key) {
+            delete items[key];
+        },
+        clear: function() {
+            items = {};
+        }
+    };
+};
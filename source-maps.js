@@ -0,0 +1,164 @@
+var fs = require("fs");
+var path = require("path");
+var SourceMapConsumer = require("source-map").SourceMapConsumer;
+var SourceMapGenerator = require("source-map").SourceMapGenerator;
+var terser = require("terser");
+
+// lasso wraps every module on a single line prefix and keeps its lines intact:
+// $_mod_marko_app_a.def("/marko$4.28.10/src/runtime/vdom/VNode", function(require, ...) { <line 1>
+var RUNTIME_CALL = /^\$_mod\w*\./;
+var DEF = /^\$_mod\w*\.def\("([^"]+)", function\(require, exports, module, __filename, __dirname\) \{ /;
+var MODULE_ID = /^\/((?:@[^\/]+\/)?[^\/$]+)\$([^\/]+)\/(.*)$/;
+var MAPPING_URL = /\n\/\/# sourceMappingURL=\S+\s*$/;
+
+// Finds the file behind a lasso module id such as "/marko$4.28.10/src/index"
+// or "/my-app$1.0.0/client". Returns null for ids that don't map to a file.
+function resolveModule(id, rootDir) {
+    var match = MODULE_ID.exec(id);
+    if (!match) {
+        return null;
+    }
+
+    var pkg = JSON.parse(fs.readFileSync(path.join(rootDir, "package.json"), "utf8"));
+    var baseDir;
+    if (match[1] === String(pkg.name)) {
+        baseDir = rootDir;
+    } else {
+        try {
+            var packageFile = require.resolve(match[1] + "/package.json", { paths: [rootDir] });
+            if (require(packageFile).version !== match[2]) {
+                return null;
+            }
+            baseDir = path.dirname(packageFile);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    var file = path.join(baseDir, match[3]);
+    return [file, file + ".js"].filter(function(candidate) {
+        return fs.existsSync(candidate) && fs.statSync(candidate).isFile();
+    })[0] || null;
+}
+
+// The marko compiler reprints code with single quotes and its own spacing.
+function normalizeLine(line) {
+    return line.trim().replace(/"/g, "'").replace(/\s+/g, " ");
+}
+
+// Compiled templates don't line up with their .marko source, so each line is
+// matched to the template line with the same text (class methods and static
+// code are copied through), falling back to the last matched line.
+function mapTemplateLines(compiledLines, sourceLines) {
+    var trimmed = sourceLines.map(normalizeLine);
+    var last = 0;
+    return compiledLines.map(function(line) {
+        var text = normalizeLine(line);
+        if (text.length > 3) {
+            var index = trimmed.indexOf(text, last);
+            if (index === -1) {
+                index = trimmed.indexOf(text);
+            }
+            if (index !== -1) {
+                last = index;
+            }
+        }
+        return last + 1;
+    });
+}
+
+function addModule(generator, moduleLines, firstLine, prefixLength, file, mapDir) {
+    var source = path.relative(mapDir, file).split(path.sep).join("/");
+    var sourceText = fs.readFileSync(file, "utf8");
+    var originalLines = path.extname(file) === ".marko"
+        ? mapTemplateLines(moduleLines, sourceText.split("\n"))
+        : null;
+
+    generator.setSourceContent(source, sourceText);
+    moduleLines.forEach(function(line, index) {
+        generator.addMapping({
+            generated: { line: firstLine + index, column: index === 0 ? prefixLength : 0 },
+            original: { line: originalLines ? originalLines[index] : index + 1, column: 0 },
+            source: source
+        });
+    });
+}
+
+function createSourceMap(code, bundleFile, rootDir) {
+    var mapDir = path.dirname(bundleFile);
+    var generator = new SourceMapGenerator({ file: path.basename(bundleFile) });
+    var lines = code.split("\n");
+
+    for (var i = 0; i < lines.length; i++) {
+        var match = DEF.exec(lines[i]);
+        if (!match) {
+            continue;
+        }
+        // The module runs up to its closing "});", just before the next
+        // top-level $_mod call.
+        var end = i + 1;
+        while (end < lines.length && !RUNTIME_CALL.test(lines[end])) {
+            end++;
+        }
+        var moduleLines = lines.slice(i, end - 1);
+        moduleLines[0] = moduleLines[0].slice(match[0].length);
+
+        var file = resolveModule(match[1], rootDir);
+        if (file) {
+            addModule(generator, moduleLines, i + 1, match[0].length, file, mapDir);
+        }
+        i = end - 1;
+    }
+    return generator.toString();
+}
+
+// Writes `<bundle>.map` next to an (unminified) lasso JavaScript bundle and
+// links it from the bundle. With `minify`, the bundle is minified here so the
+// map is carried through to the minified code.
+exports.writeSourceMap = function(bundleFile, options) {
+    var code = fs.readFileSync(bundleFile, "utf8");
+    if (MAPPING_URL.test(code)) {
+        // A fingerprinted bundle lasso kept from an earlier build.
+        return;
+    }
+
+    var mapName = path.basename(bundleFile) + ".map";
+    var map = createSourceMap(code, bundleFile, options.rootDir);
+
+    if (options.minify) {
+        var input = {};
+        input[path.basename(bundleFile)] = code;
+        var result = terser.minify(input, { sourceMap: { content: map, url: mapName } });
+        if (result.error) {
+            throw result.error;
+        }
+        code = result.code;
+        map = result.map;
+    } else {
+        code += "\n//# sourceMappingURL=" + mapName;
+    }
+
+    fs.writeFileSync(bundleFile, code);
+    fs.writeFileSync(bundleFile + ".map", map);
+};
+
+// Maps "<url>/static/<file>:<line>:<column>" locations in a stack trace back
+// to the original sources using the maps written above.
+exports.decodeStack = function(stack, staticDir) {
+    var consumers = {};
+    return stack.replace(/(?:https?:\/\/[^\s()]*)?\/static\/([^\s():]+):(\d+):(\d+)/g, function(location, file, line, column) {
+        var mapFile = path.join(staticDir, file + ".map");
+        if (!(file in consumers)) {
+            consumers[file] = fs.existsSync(mapFile)
+                ? new SourceMapConsumer(JSON.parse(fs.readFileSync(mapFile, "utf8")))
+                : null;
+        }
+        var original = consumers[file] && consumers[file].originalPositionFor({
+            line: Number(line),
+            column: Number(column) - 1
+        });
+        return original && original.source
+            ? original.source + ":" + original.line + ":" + (original.column + 1)
+            : location;
+    });
+};
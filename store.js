@@ -0,0 +1,81 @@
+// A small store for state that several components share. Its state is a plain
+// object that actions replace rather than mutate:
+//
+//     var store = createStore({
+//         rename: function(state, name) {
+//             return Object.assign({}, state, { name: name });
+//         }
+//     }, { name: "Marko" });
+//
+//     store.dispatch("rename", "Seth");
+//
+// Components read it through connect(); app-store.js defines the app's store.
+
+exports.createStore = function(actions, initialState) {
+    var state = initialState;
+    var listeners = [];
+
+    return {
+        getState: function() {
+            return state;
+        },
+        // Runs `actions[type](state, payload)` and notifies subscribers if it
+        // returned a new state.
+        dispatch: function(type, payload) {
+            if (!Object.prototype.hasOwnProperty.call(actions, type)) {
+                throw new Error("Unknown store action: " + type);
+            }
+            var nextState = actions[type](state, payload);
+            if (nextState === state) {
+                return;
+            }
+            state = nextState;
+            listeners.slice().forEach(function(listener) {
+                listener(state);
+            });
+        },
+        // Returns a function that unsubscribes.
+        subscribe: function(listener) {
+            listeners.push(listener);
+            return function() {
+                var index = listeners.indexOf(listener);
+                if (index !== -1) {
+                    listeners.splice(index, 1);
+                }
+            };
+        }
+    };
+};
+
+// Keeps `component.state[key]` set to `selectors[key](storeState)`. A key is
+// only written when its selected value changes, so the component re-renders
+// for the parts of the store it reads and not for the rest.
+//
+// Call from onCreate, after assigning `this.state`. Updates start once the
+// component is mounted (never during a server render) and stop when it's
+// destroyed.
+exports.connect = function(component, store, selectors) {
+    var keys = Object.keys(selectors);
+
+    function update(state) {
+        keys.forEach(function(key) {
+            component.setState(key, selectors[key](state));
+        });
+    }
+
+    // Server components have no setState() or lifecycle events; they render
+    // once, so the current state is all they need.
+    if (!component.setState) {
+        keys.forEach(function(key) {
+            component.state[key] = selectors[key](store.getState());
+        });
+        return;
+    }
+
+    update(store.getState());
+    component.once("mount", function() {
+        // Catch up on anything dispatched between onCreate and mount.
+        update(store.getState());
+        component.once("destroy", store.subscribe(update));
+    });
+};
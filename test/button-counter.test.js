@@ -0,0 +1,275 @@
+var test = require("node:test");
+var assert = require("assert");
+
+var helpers = require("./helpers");
+
+var COUNTER = "components/button-counter/button-counter.marko";
+
+function getButton(label) {
+    return helpers.findAll(document, "example-button").filter(function(button) {
+        return button.textContent === label;
+    })[0];
+}
+
+function getCount() {
+    return helpers.find(document, "count").textContent;
+}
+
+test.afterEach(helpers.cleanup);
+
+test("renders the initial count", function() {
+    helpers.render(COUNTER, { initial: 5 });
+
+    assert.strictEqual(getCount(), "5");
+    assert.strictEqual(helpers.findAll(document, "example-button").length, 5);
+});
+
+test("increments and decrements by step on click", async function() {
+    var counter = helpers.render(COUNTER, { step: 2 });
+    var events = helpers.recordEvents(counter, ["change"]);
+
+    helpers.click(getButton("Increment"));
+    await helpers.tick();
+    assert.strictEqual(getCount(), "2");
+
+    helpers.click(getButton("Decrement"));
+    await helpers.tick();
+    assert.strictEqual(getCount(), "0");
+
+    assert.deepStrictEqual(events, [["change", 2, 0], ["change", 0, 2]]);
+});
+
+test("disables buttons and emits limit-reached at the bounds", async function() {
+    var counter = helpers.render(COUNTER, { min: 0, max: 1 });
+    var events = helpers.recordEvents(counter, ["limit-reached"]);
+
+    assert.strictEqual(getButton("Decrement").disabled, true);
+
+    helpers.click(getButton("Increment"));
+    await helpers.tick();
+
+    assert.strictEqual(getButton("Increment").disabled, true);
+    assert.deepStrictEqual(events, [["limit-reached", "max", 1]]);
+});
+
+test("reset returns to the initial count", async function() {
+    var counter = helpers.render(COUNTER, { initial: 3 });
+    var events = helpers.recordEvents(counter, ["change", "reset"]);
+
+    assert.strictEqual(getButton("Reset").disabled, true);
+
+    helpers.click(getButton("Increment"));
+    await helpers.tick();
+    helpers.click(getButton("Reset"));
+    await helpers.tick();
+
+    assert.strictEqual(getCount(), "3");
+    assert.deepStrictEqual(events, [["change", 4, 3], ["change", 3, 4], ["reset", 3]]);
+});
+
+test("keeps the count within bounds the parent changes", async function() {
+    var counter = helpers.render(COUNTER, { initial: 5 });
+
+    counter.input = { initial: 5, max: 3 };
+    await helpers.tick();
+
+    assert.strictEqual(getCount(), "3");
+    assert.strictEqual(getButton("Increment").disabled, true);
+});
+
+test("leaves the count to the parent in controlled mode", async function() {
+    var counter = helpers.render(COUNTER, { value: 7 });
+    var events = helpers.recordEvents(counter, ["change"]);
+
+    helpers.click(getButton("Increment"));
+    await helpers.tick();
+
+    assert.strictEqual(getCount(), "7");
+    assert.deepStrictEqual(events, [["change", 8, 7]]);
+});
+
+test("restores and saves a persisted count", async function() {
+    var memory = helpers.createMemoryStorage({ "test-count": "4" });
+
+    helpers.render(COUNTER, { $global: memory.$global, persistKey: "test-count" });
+    await helpers.tick();
+    assert.strictEqual(getCount(), "4");
+
+    helpers.click(getButton("Increment"));
+    await helpers.tick();
+    assert.strictEqual(memory.storage.getItem("test-count"), "5");
+});
+
+test("passes counts saved in other tabs on as changes in controlled mode", async function() {
+    var counter = helpers.render(COUNTER, { value: 1, persistKey: "test-count" });
+    var events = helpers.recordEvents(counter, ["change"]);
+    await helpers.tick();
+
+    localStorage.setItem("test-count", "4");
+    window.dispatchEvent(new window.StorageEvent("storage", { key: "test-count" }));
+
+    assert.deepStrictEqual(events, [["change", 4, 1]]);
+});
+
+function pressKey(key, modifiers) {
+    helpers.find(document, "button-counter").dispatchEvent(new KeyboardEvent("keydown", Object.assign({ key: key, bubbles: true }, modifiers)));
+}
+
+test("undoes and redoes changes", async function() {
+    var counter = helpers.render(COUNTER);
+    var events = helpers.recordEvents(counter, ["change"]);
+    assert.strictEqual(getButton("Undo").disabled, true);
+
+    helpers.click(getButton("Increment"));
+    await helpers.tick();
+    helpers.click(getButton("Increment"));
+    await helpers.tick();
+    helpers.click(getButton("Undo"));
+    await helpers.tick();
+    assert.strictEqual(getCount(), "1");
+
+    helpers.click(getButton("Redo"));
+    await helpers.tick();
+    assert.strictEqual(getCount(), "2");
+    assert.strictEqual(getButton("Redo").disabled, true);
+
+    assert.deepStrictEqual(events, [["change", 1, 0], ["change", 2, 1], ["change", 1, 2], ["change", 2, 1]]);
+});
+
+test("binds undo and redo to Ctrl+Z and Ctrl+Shift+Z", async function() {
+    helpers.render(COUNTER);
+
+    pressKey("ArrowUp");
+    await helpers.tick();
+    pressKey("z", { ctrlKey: true });
+    await helpers.tick();
+    assert.strictEqual(getCount(), "0");
+
+    pressKey("Z", { ctrlKey: true, shiftKey: true });
+    await helpers.tick();
+    assert.strictEqual(getCount(), "1");
+});
+
+test("leaves modified keys other than undo and redo to the browser", async function() {
+    helpers.render(COUNTER);
+    var zoomOut = new KeyboardEvent("keydown", { key: "-", ctrlKey: true, bubbles: true, cancelable: true });
+    var back = new KeyboardEvent("keydown", { key: "ArrowLeft", altKey: true, bubbles: true, cancelable: true });
+
+    helpers.find(document, "button-counter").dispatchEvent(zoomOut);
+    helpers.find(document, "button-counter").dispatchEvent(back);
+    await helpers.tick();
+
+    assert.strictEqual(getCount(), "0");
+    assert.strictEqual(zoomOut.defaultPrevented, false);
+    assert.strictEqual(back.defaultPrevented, false);
+});
+
+test("button names start with their visible text", function() {
+    helpers.render(COUNTER);
+
+    helpers.findAll(document, "example-button").forEach(function(button) {
+        assert.ok(button.getAttribute("aria-label").startsWith(button.textContent), button.getAttribute("aria-label"));
+    });
+});
+
+test("a new change drops the redo history", async function() {
+    helpers.render(COUNTER);
+
+    helpers.click(getButton("Increment"));
+    await helpers.tick();
+    helpers.click(getButton("Undo"));
+    await helpers.tick();
+    helpers.click(getButton("Decrement"));
+    await helpers.tick();
+
+    assert.strictEqual(getButton("Redo").disabled, true);
+});
+
+test("keeps at most history-limit changes", async function() {
+    var counter = helpers.render(COUNTER, { historyLimit: 2 });
+
+    for (var i = 0; i < 4; i++) {
+        helpers.click(getButton("Increment"));
+        await helpers.tick();
+    }
+
+    assert.deepStrictEqual(counter.state.past, [2, 3]);
+});
+
+test("history-limit 0 turns history off", function() {
+    helpers.render(COUNTER, { historyLimit: 0 });
+
+    assert.strictEqual(getButton("Undo"), undefined);
+    assert.throws(function() {
+        helpers.render(COUNTER, { historyLimit: -1 });
+    }, /`history-limit` must be a non-negative integer/);
+});
+
+test("persists the history with the count", async function() {
+    var memory = helpers.createMemoryStorage({
+        "test-count": "4",
+        "test-count:history": JSON.stringify({ past: [2, 3], future: [] })
+    });
+
+    var counter = helpers.render(COUNTER, { $global: memory.$global, persistKey: "test-count" });
+    await helpers.tick();
+    helpers.click(getButton("Undo"));
+    await helpers.tick();
+    assert.strictEqual(getCount(), "3");
+    assert.deepStrictEqual(JSON.parse(memory.storage.getItem("test-count:history")), { past: [2], future: [4] });
+
+    // A reload picks up where it left off.
+    counter.destroy();
+    helpers.render(COUNTER, { $global: memory.$global, persistKey: "test-count" });
+    await helpers.tick();
+    helpers.click(getButton("Redo"));
+    await helpers.tick();
+    assert.strictEqual(getCount(), "4");
+});
+
+test("controlled mode only records values the parent passes back", async function() {
+    var counter = helpers.render(COUNTER, { value: 5 });
+    var events = helpers.recordEvents(counter, ["change"]);
+
+    helpers.click(getButton("Increment"));
+    await helpers.tick();
+    assert.strictEqual(getButton("Undo").disabled, true);
+
+    counter.input = { value: 6 };
+    await helpers.tick();
+    helpers.click(getButton("Undo"));
+    await helpers.tick();
+    assert.strictEqual(getButton("Redo").disabled, true);
+
+    counter.input = { value: 5 };
+    await helpers.tick();
+    assert.strictEqual(getButton("Undo").disabled, true);
+    assert.strictEqual(getButton("Redo").disabled, false);
+
+    assert.deepStrictEqual(events, [["change", 6, 5], ["change", 5, 6]]);
+});
+
+test("controlled mode doesn't record values it didn't ask for", async function() {
+    var counter = helpers.render(COUNTER, { value: 5 });
+
+    counter.input = { value: 8 };
+    await helpers.tick();
+
+    assert.strictEqual(getCount(), "8");
+    assert.strictEqual(getButton("Undo").disabled, true);
+});
+
+test("undo leaves the history alone when the count can't change", async function() {
+    var memory = helpers.createMemoryStorage({
+        "test-count": "2",
+        "test-count:history": JSON.stringify({ past: [5], future: [] })
+    });
+
+    helpers.render(COUNTER, { $global: memory.$global, persistKey: "test-count", max: 2 });
+    await helpers.tick();
+    helpers.click(getButton("Undo"));
+    await helpers.tick();
+
+    assert.strictEqual(getCount(), "2");
+    assert.strictEqual(getButton("Redo").disabled, true);
+});
@@ -0,0 +1,24 @@
+var test = require("node:test");
+var assert = require("assert");
+var path = require("path");
+
+var generateRoutes = require("../generate-routes");
+
+var rootDir = path.join(__dirname, "..");
+
+test("maps pages to routes, nesting directories that have a layout", function() {
+    var source = generateRoutes(path.join(rootDir, "pages"), path.join(rootDir, "build/routes.js"));
+    var routes = new Function("module", "require", source + "\nreturn module.exports;")({}, function(file) {
+        return file;
+    });
+
+    assert.deepStrictEqual(routes, [
+        { path: "", component: "../pages/index.marko" },
+        {
+            path: "settings",
+            component: "../pages/settings/layout.marko",
+            children: [{ path: "colors", component: "../pages/settings/colors.marko" }]
+        },
+        { path: "counters/:id", component: "../pages/counters/[id].marko" }
+    ]);
+});
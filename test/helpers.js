@@ -0,0 +1,139 @@
+var fs = require("fs");
+var path = require("path");
+var Module = require("module");
+
+var JSDOM = require("jsdom").JSDOM;
+var compiler = require("marko/compiler");
+var createAppStore = require("../app-store").createAppStore;
+var services = require("../services");
+
+// Marko's runtime must see a DOM as soon as it's loaded, so a single jsdom
+// window backs every test in the process (node --test runs each file in its
+// own process).
+var dom = new JSDOM("<!doctype html><html><head></head><body></body></html>", {
+    url: "http://localhost/",
+    pretendToBeVisual: true
+});
+
+["window", "document", "navigator", "Node", "HTMLElement", "Event", "KeyboardEvent", "MouseEvent", "PopStateEvent", "localStorage", "sessionStorage"].forEach(function(name) {
+    global[name] = dom.window[name];
+});
+
+// jsdom doesn't implement scrolling and would log an error for each call.
+dom.window.scrollTo = function() {};
+
+// Marko ships node and browser builds of its internal modules side by side,
+// picked through the `browser` field that lasso honours. Pick the browser ones
+// so templates render to the DOM instead of to strings.
+var resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request) {
+    var filename = resolveFilename.apply(this, arguments);
+    if (request.startsWith("@internal/")) {
+        var browserFilename = filename.replace(/index\.js$/, "index-browser.js");
+        if (fs.existsSync(browserFilename)) {
+            return browserFilename;
+        }
+    }
+    return filename;
+};
+
+// Same output lasso-marko bundles for the browser.
+require.extensions[".marko"] = function(module, filename) {
+    var src = fs.readFileSync(filename, "utf8");
+    module._compile(compiler.compileForBrowser(src, filename).code, filename);
+};
+
+// Outside a lasso bundle there are no async bundles to fetch, so
+// lasso-loader.async() just runs its callback.
+require.cache[require.resolve("lasso-loader")] = {
+    id: "lasso-loader",
+    loaded: true,
+    exports: {
+        async: function(callback) {
+            callback();
+        }
+    }
+};
+
+var rootDir = path.join(__dirname, "..");
+var mounted = [];
+
+// Renders a template into a fresh container in the document and returns its
+// top-level component. Each render gets its own app store unless the input
+// passes one as `$global.store`.
+exports.render = function(templatePath, input) {
+    var template = require(path.join(rootDir, templatePath));
+    var container = document.createElement("div");
+    document.body.appendChild(container);
+
+    input = Object.assign({}, input);
+    input.$global = Object.assign({ store: createAppStore() }, input.$global);
+    var component = template.renderSync(input).appendTo(container).getComponent();
+    mounted.push({ component: component, container: container });
+    return component;
+};
+
+// Destroys everything render() mounted, stopping timers and listeners so the
+// process can exit, and resets storage and the URL.
+exports.cleanup = function() {
+    mounted.splice(0).forEach(function(entry) {
+        entry.component.destroy();
+        entry.container.remove();
+    });
+    localStorage.clear();
+    window.history.replaceState(null, "", "/");
+};
+
+// An in-memory Storage holding `items` and the `$global` that gives it to a
+// render as both local and session storage: `{ storage, $global }`.
+exports.createMemoryStorage = function(items) {
+    var storage = services.createMemoryStorage(items);
+    return {
+        storage: storage,
+        $global: {
+            services: services.createServices({
+                storage: {
+                    get: function() {
+                        return storage;
+                    }
+                }
+            })
+        }
+    };
+};
+
+// Marko batches re-renders until the next macrotask.
+exports.tick = function() {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, 0);
+    });
+};
+
+// Collects every emit of the named events as [name, ...args] entries.
+exports.recordEvents = function(component, eventNames) {
+    var events = [];
+    eventNames.forEach(function(eventName) {
+        component.on(eventName, function() {
+            events.push([eventName].concat(Array.prototype.slice.call(arguments)));
+        });
+    });
+    return events;
+};
+
+exports.click = function(el) {
+    el.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+};
+
+// Scoped style blocks rename their classes (see scoped-styles.js), so match on
+// the class name's prefix.
+exports.findAll = function(root, className) {
+    return Array.prototype.slice.call(root.querySelectorAll("[class]")).filter(function(el) {
+        return Array.prototype.some.call(el.classList, function(name) {
+            return name === className || name.startsWith(className + "_");
+        });
+    });
+};
+
+exports.find = function(root, className) {
+    return exports.findAll(root, className)[0] || null;
+};
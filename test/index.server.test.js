@@ -0,0 +1,32 @@
+var test = require("node:test");
+var assert = require("assert");
+
+var appStore = require("../app-store");
+var createServices = require("../services").createServices;
+var snapshot = require("./snapshot");
+
+require("marko/node-require").install({ compilerOptions: { writeToDisk: false } });
+
+var page = require("../index.marko");
+var layout = require("../pages/layout.marko");
+
+var services = createServices({
+    time: {
+        now: function() {
+            return Date.UTC(2020, 0, 2, 3, 4, 5);
+        }
+    }
+});
+
+test("server render matches the snapshot", function() {
+    var html = page.renderToString({ $global: { services: services }, name: "Snapshot", colors: ["red", "green"], initialCount: 1 });
+
+    snapshot.matchSnapshot("index.server", snapshot.normalizeHtml(html));
+});
+
+test("serializes the app store's state for the browser", function() {
+    var store = appStore.createAppStore({ colors: ["teal"] });
+    var html = layout.renderToString({ slots: { head: "", body: "" }, url: "/", $global: appStore.createGlobals(store) });
+
+    assert.match(html, /"g":\{"appState":\{"colors":\["teal"\],"counts":\{\}\}\}/);
+});
@@ -0,0 +1,129 @@
+var test = require("node:test");
+var assert = require("assert");
+
+var helpers = require("./helpers");
+var snapshot = require("./snapshot");
+var createServices = require("../services").createServices;
+var getComponentForEl = require("marko/components").getComponentForEl;
+
+test.afterEach(helpers.cleanup);
+
+test("renders the greeting, colors and total", function() {
+    helpers.render("index.marko", { name: "Tester", colors: ["teal", "plum"] });
+
+    assert.match(document.querySelector("h1").textContent, /^Hello Tester/);
+    assert.deepStrictEqual(helpers.findAll(document, "color-name").map(function(input) {
+        return input.value;
+    }), ["teal", "plum"]);
+    assert.strictEqual(helpers.find(document, "total").textContent, "Total: 0");
+});
+
+test("saved colors replace the defaults but not colors passed as input", async function() {
+    localStorage.setItem("colors", JSON.stringify(["plum"]));
+
+    helpers.render("index.marko", { colors: ["teal"] });
+    helpers.render("index.marko");
+    await helpers.tick();
+
+    assert.deepStrictEqual(helpers.findAll(document, "color-name").map(function(input) {
+        return input.value;
+    }), ["teal", "plum"]);
+});
+
+test("updates the total when a counter is clicked", async function() {
+    helpers.render("index.marko", { initialCount: 2 });
+
+    // lazy-button-counter swaps its placeholder for the counter after mount.
+    await helpers.tick();
+    helpers.click(helpers.findAll(document, "example-button")[1]);
+    await helpers.tick();
+
+    assert.strictEqual(helpers.find(document, "count").textContent, "3");
+    assert.strictEqual(helpers.find(document, "total").textContent, "Total: 3");
+});
+
+test("undoes a counter change through the page's total", async function() {
+    helpers.render("index.marko");
+    await helpers.tick();
+
+    helpers.click(helpers.findAll(document, "example-button")[1]);
+    await helpers.tick();
+    helpers.click(helpers.findAll(document, "example-button")[3]);
+    await helpers.tick();
+
+    assert.strictEqual(helpers.find(document, "total").textContent, "Total: 0");
+});
+
+test("a counter's undo history survives a reload", async function() {
+    var page = helpers.render("index.marko");
+    await helpers.tick();
+    helpers.click(helpers.findAll(document, "example-button")[1]);
+    await helpers.tick();
+    helpers.click(helpers.findAll(document, "example-button")[1]);
+    await helpers.tick();
+    helpers.click(helpers.findAll(document, "example-button")[3]);
+    await helpers.tick();
+
+    page.destroy();
+    helpers.render("index.marko");
+    await helpers.tick();
+    assert.strictEqual(helpers.find(document, "count").textContent, "1");
+
+    helpers.click(helpers.findAll(document, "example-button")[4]);
+    await helpers.tick();
+    assert.strictEqual(helpers.find(document, "count").textContent, "2");
+    helpers.click(helpers.findAll(document, "example-button")[3]);
+    await helpers.tick();
+    helpers.click(helpers.findAll(document, "example-button")[3]);
+    await helpers.tick();
+    assert.strictEqual(helpers.find(document, "count").textContent, "0");
+});
+
+test("counts restored from the URL can't be undone", async function() {
+    window.history.replaceState(null, "", "/?count=5");
+    helpers.render("index.marko", { syncUrl: true });
+    await helpers.tick();
+    assert.strictEqual(helpers.find(document, "count").textContent, "5");
+    assert.strictEqual(helpers.findAll(document, "example-button")[3].disabled, true);
+
+    window.history.pushState(null, "", "/?count=7");
+    window.dispatchEvent(new PopStateEvent("popstate", { state: null }));
+    await helpers.tick();
+    assert.strictEqual(helpers.find(document, "count").textContent, "7");
+    assert.strictEqual(helpers.findAll(document, "example-button")[3].disabled, true);
+});
+
+test("forwards counter events through lazy-button-counter", async function() {
+    helpers.render("index.marko");
+    var lazyCounter = getComponentForEl(helpers.find(document, "lazy-placeholder"));
+    var events = helpers.recordEvents(lazyCounter, ["change", "reset"]);
+    await helpers.tick();
+
+    helpers.click(helpers.findAll(document, "example-button")[0]);
+    await helpers.tick();
+    helpers.click(helpers.findAll(document, "example-button")[2]);
+    await helpers.tick();
+
+    assert.deepStrictEqual(events, [["change", -1, 0], ["change", 0, -1], ["reset", 0]]);
+});
+
+test("browser render matches the snapshot", async function() {
+    var services = createServices({
+        time: {
+            now: function() {
+                return Date.UTC(2020, 0, 2, 3, 4, 5);
+            }
+        }
+    });
+
+    var page = helpers.render("index.marko", { $global: { services: services }, name: "Snapshot", colors: ["red", "green"], initialCount: 1 });
+    await helpers.tick();
+
+    snapshot.matchSnapshot("index.browser", snapshot.normalizeHtml(page.el.parentNode));
+});
+
+test("rejects invalid input", function() {
+    assert.throws(function() {
+        helpers.render("index.marko", { colors: "red" });
+    }, /`colors` must be an array of strings/);
+});
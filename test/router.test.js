@@ -0,0 +1,78 @@
+var test = require("node:test");
+var assert = require("assert");
+
+var helpers = require("./helpers");
+var matchRoutes = require("../router").matchRoutes;
+
+var ROUTES = [
+    {
+        path: "/",
+        component: "layout",
+        children: [
+            { path: "", component: "home" },
+            { path: "items/:id", component: "item" },
+            { path: "settings", component: "settings", children: [{ path: "colors", component: "colors" }] }
+        ]
+    }
+];
+
+function componentsFor(pathname) {
+    var match = matchRoutes(ROUTES, pathname);
+    return match && match.routes.map(function(route) {
+        return route.component;
+    });
+}
+
+test.afterEach(helpers.cleanup);
+
+test("matches nested routes outermost first", function() {
+    assert.deepStrictEqual(componentsFor("/"), ["layout", "home"]);
+    assert.deepStrictEqual(componentsFor("/settings/colors/"), ["layout", "settings", "colors"]);
+});
+
+test("collects decoded params", function() {
+    assert.deepStrictEqual(matchRoutes(ROUTES, "/items/a%20b").params, { id: "a b" });
+});
+
+test("returns null for unknown or malformed paths", function() {
+    assert.strictEqual(matchRoutes(ROUTES, "/items"), null);
+    assert.strictEqual(matchRoutes(ROUTES, "/settings"), null);
+    assert.strictEqual(matchRoutes(ROUTES, "/items/1/more"), null);
+    assert.strictEqual(matchRoutes(ROUTES, "/items/%E0%A4%A"), null);
+});
+
+test("app-router follows links and history without reloading", async function() {
+    window.history.replaceState(null, "", "/counters/2");
+    helpers.render("components/app-router/app-router.marko", { url: "/counters/2" });
+    assert.strictEqual(document.querySelector("h2").textContent, "Counter 2");
+
+    helpers.click(document.querySelector("a[href='/']"));
+    await helpers.tick();
+    assert.strictEqual(window.location.pathname, "/");
+    assert.match(document.querySelector("h1").textContent, /^Hello/);
+
+    window.history.back();
+    await new Promise(function(resolve) {
+        window.addEventListener("popstate", resolve, { once: true });
+    });
+    await helpers.tick();
+    assert.strictEqual(window.location.pathname, "/counters/2");
+    assert.strictEqual(document.querySelector("h2").textContent, "Counter 2");
+});
+
+test("app-router renders the page for the browser's URL", async function() {
+    window.history.replaceState(null, "", "/settings/colors");
+    helpers.render("components/app-router/app-router.marko", { url: "/" });
+    await helpers.tick();
+
+    assert.strictEqual(document.querySelector("h1").textContent, "Settings");
+    assert.strictEqual(document.querySelector("h2").textContent, "Colors");
+});
+
+test("app-router shows a not found page for unknown paths", function() {
+    window.history.replaceState(null, "", "/nope");
+    helpers.render("components/app-router/app-router.marko", { url: "/nope" });
+
+    assert.strictEqual(document.querySelector("h1").textContent, "Page not found");
+    assert.strictEqual(document.querySelectorAll("main").length, 0);
+});
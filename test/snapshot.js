@@ -0,0 +1,82 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+
+var JSDOM = require("jsdom").JSDOM;
+
+// Snapshots include live-clock's formatted time, so pin the zone it's shown in.
+process.env.TZ = "UTC";
+
+var SNAPSHOT_DIR = path.join(__dirname, "snapshots");
+var VOID_ELEMENTS = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"];
+
+function printNode(node, depth, lines) {
+    var indent = "  ".repeat(depth);
+
+    if (node.nodeType === 1) {
+        var tagName = node.tagName.toLowerCase();
+        var attrs = Array.prototype.map.call(node.attributes, function(attr) {
+            return " " + attr.name + "=\"" + attr.value.replace(/"/g, "&quot;") + "\"";
+        }).sort();
+
+        lines.push(indent + "<" + tagName + attrs.join("") + ">");
+        printChildren(node, depth + 1, lines);
+        if (VOID_ELEMENTS.indexOf(tagName) === -1) {
+            lines.push(indent + "</" + tagName + ">");
+        }
+    } else if (node.nodeType === 11) {
+        printChildren(node, depth, lines);
+    }
+    // Comments, including Marko's hydration markers, are dropped.
+}
+
+// The browser may split text the server writes in one piece, so adjacent
+// text nodes are printed as one line.
+function printChildren(node, depth, lines) {
+    var text = "";
+
+    function flushText() {
+        text = text.replace(/\s+/g, " ").trim();
+        if (text) {
+            lines.push("  ".repeat(depth) + text);
+        }
+        text = "";
+    }
+
+    Array.prototype.forEach.call(node.childNodes, function(child) {
+        if (child.nodeType === 3) {
+            text += child.textContent;
+        } else {
+            flushText();
+            printNode(child, depth, lines);
+        }
+    });
+    flushText();
+}
+
+// One element or text node per line, attributes sorted and quoted the same
+// way, whitespace collapsed, so server strings and browser DOM compare alike
+// and diffs stay readable.
+exports.normalizeHtml = function(htmlOrNode) {
+    var node = typeof htmlOrNode === "string" ? JSDOM.fragment(htmlOrNode) : htmlOrNode;
+    var lines = [];
+    printChildren(node, 0, lines);
+    return lines.join("\n") + "\n";
+};
+
+// Compares against test/snapshots/<name>.html, writing it instead when
+// UPDATE_SNAPSHOTS is set (`npm run test:update`).
+exports.matchSnapshot = function(name, html) {
+    var file = path.join(SNAPSHOT_DIR, name + ".html");
+
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, html);
+        return;
+    }
+    if (!fs.existsSync(file)) {
+        assert.fail("snapshot " + name + " missing; run `npm run test:update` to create it");
+    }
+
+    assert.strictEqual(html, fs.readFileSync(file, "utf8"), "snapshot " + name + " changed; run `npm run test:update` if intended");
+};
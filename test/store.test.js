@@ -0,0 +1,117 @@
+var test = require("node:test");
+var assert = require("assert");
+
+var helpers = require("./helpers");
+var appStore = require("../app-store");
+var createStore = require("../store").createStore;
+
+var COLORS_PAGE = "pages/settings/colors.marko";
+
+function getColors() {
+    return helpers.findAll(document, "color-name").map(function(input) {
+        return input.value;
+    });
+}
+
+test.afterEach(helpers.cleanup);
+
+test("dispatch runs the action and notifies subscribers of new state", function() {
+    var store = createStore({
+        add: function(state, amount) {
+            return amount ? { total: state.total + amount } : state;
+        }
+    }, { total: 1 });
+    var seen = [];
+    var unsubscribe = store.subscribe(function(state) {
+        seen.push(state.total);
+    });
+
+    store.dispatch("add", 2);
+    store.dispatch("add", 0);
+    unsubscribe();
+    store.dispatch("add", 3);
+
+    assert.deepStrictEqual(seen, [3]);
+    assert.strictEqual(store.getState().total, 6);
+    assert.throws(function() {
+        store.dispatch("remove", 1);
+    }, /Unknown store action: remove/);
+});
+
+test("pages connected to one store share its colors", async function() {
+    var store = appStore.createAppStore();
+    helpers.render("index.marko", { $global: { store: store } });
+    helpers.render(COLORS_PAGE, { $global: { store: store } });
+
+    store.dispatch("setColors", ["teal"]);
+    await helpers.tick();
+
+    assert.deepStrictEqual(getColors(), ["teal", "teal"]);
+});
+
+test("the home page and a counter page share that counter's count", async function() {
+    var store = appStore.createAppStore();
+    helpers.render("pages/counters/[id].marko", { $global: { store: store }, params: { id: "1" }, url: "/counters/1" });
+    helpers.render("index.marko", { $global: { store: store } });
+    await helpers.tick();
+
+    helpers.click(helpers.findAll(document, "example-button")[1]);
+    await helpers.tick();
+
+    assert.deepStrictEqual(helpers.findAll(document, "count").map(function(el) {
+        return el.textContent;
+    }), ["1", "1"]);
+    assert.strictEqual(helpers.find(document, "total").textContent, "Total: 1");
+    assert.strictEqual(localStorage.getItem("counter-1"), "1");
+});
+
+test("pages keep the counts and colors the home page restored from the URL", async function() {
+    localStorage.setItem("counter-1", "2");
+    localStorage.setItem("colors", JSON.stringify(["plum"]));
+    window.history.replaceState(null, "", "/?count=5&color=teal");
+    var store = appStore.createAppStore();
+    helpers.render("index.marko", { $global: { store: store }, syncUrl: true });
+    await helpers.tick();
+
+    window.history.replaceState(null, "", "/counters/1");
+    helpers.render("pages/counters/[id].marko", { $global: { store: store }, params: { id: "1" }, url: "/counters/1" });
+    helpers.render(COLORS_PAGE, { $global: { store: store } });
+    await helpers.tick();
+
+    assert.deepStrictEqual(helpers.findAll(document, "count").map(function(el) {
+        return el.textContent;
+    }), ["5", "5"]);
+    assert.deepStrictEqual(getColors(), ["teal", "teal"]);
+});
+
+test("connected components only re-render for the state they select", async function() {
+    var store = appStore.createAppStore();
+    var page = helpers.render(COLORS_PAGE, { $global: { store: store } });
+    var updates = helpers.recordEvents(page, ["update"]);
+
+    store.dispatch("setCount", { id: "1", count: 5 });
+    await helpers.tick();
+    assert.strictEqual(updates.length, 0);
+
+    store.dispatch("setColors", ["plum"]);
+    await helpers.tick();
+    assert.strictEqual(updates.length, 1);
+});
+
+test("stops updating destroyed components", async function() {
+    var store = appStore.createAppStore();
+    var page = helpers.render(COLORS_PAGE, { $global: { store: store } });
+    page.destroy();
+
+    store.dispatch("setColors", ["plum"]);
+    await helpers.tick();
+
+    assert.deepStrictEqual(page.state.colors, ["red", "green", "blue"]);
+});
+
+test("the browser store starts from the state the server serialized", function() {
+    var store = appStore.getAppStore({ appState: { colors: ["teal"], counts: { "1": 3 } } });
+
+    assert.deepStrictEqual(store.getState(), { colors: ["teal"], counts: { "1": 3 } });
+    assert.strictEqual(appStore.getAppStore({}), store);
+});
@@ -0,0 +1,86 @@
+var test = require("node:test");
+var assert = require("assert");
+
+var helpers = require("./helpers");
+var urlState = require("../url-state");
+
+var COUNTER = "components/button-counter/button-counter.marko";
+
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+function getCount() {
+    return helpers.find(document, "count").textContent;
+}
+
+function goBackTo(url) {
+    window.history.replaceState(null, "", url);
+    window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+test.afterEach(helpers.cleanup);
+
+test("batches writes into one replaceState", async function() {
+    var historyLength = window.history.length;
+    window.history.replaceState(null, "", "/page?keep=1#top");
+
+    urlState.set("count", 1);
+    urlState.set("count", 2);
+    urlState.set("color", ["red", "blue"]);
+    assert.strictEqual(window.location.search, "?keep=1");
+
+    await wait(300);
+    assert.strictEqual(window.location.search, "?keep=1&count=2&color=red&color=blue");
+    assert.strictEqual(window.location.hash, "#top");
+    assert.strictEqual(window.history.length, historyLength);
+
+    urlState.set("color", null);
+    urlState.flush();
+    assert.strictEqual(window.location.search, "?keep=1&count=2");
+});
+
+test("drops writes once the page has changed", function() {
+    window.history.replaceState(null, "", "/one");
+    urlState.set("count", 1);
+    window.history.pushState(null, "", "/two");
+    urlState.flush();
+
+    assert.strictEqual(window.location.search, "");
+});
+
+test("button-counter restores and writes its url-key", async function() {
+    window.history.replaceState(null, "", "/?n=4");
+    helpers.render(COUNTER, { urlKey: "n", initial: 1 });
+    await helpers.tick();
+    assert.strictEqual(getCount(), "4");
+
+    helpers.click(helpers.findAll(document, "example-button")[1]);
+    urlState.flush();
+    assert.strictEqual(window.location.search, "?n=5");
+
+    goBackTo("/?n=2");
+    await helpers.tick();
+    assert.strictEqual(getCount(), "2");
+
+    goBackTo("/");
+    await helpers.tick();
+    assert.strictEqual(getCount(), "1");
+});
+
+test("index.marko syncs counts and colors when sync-url is set", async function() {
+    window.history.replaceState(null, "", "/?count=3&color=teal&color=plum");
+    helpers.render("index.marko", { syncUrl: true });
+    await helpers.tick();
+
+    assert.strictEqual(helpers.find(document, "count").textContent, "3");
+    assert.deepStrictEqual(helpers.findAll(document, "color-name").map(function(input) {
+        return input.value;
+    }), ["teal", "plum"]);
+
+    helpers.click(helpers.find(document, "color-remove"));
+    urlState.flush();
+    assert.strictEqual(window.location.search, "?count=3&color=plum");
+});
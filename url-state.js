@@ -0,0 +1,78 @@
+// Mirrors component state in the query string so a refreshed or shared URL
+// comes back to the same state. Components opt in (see button-counter's
+// `url-key` and index.marko's `sync-url`), read their keys once mounted and
+// again from onChange() after back/forward navigation.
+//
+// Writes are batched and use replaceState, so clicking a counter doesn't add
+// a history entry per click.
+var DELAY = 250;
+
+var pending = {};
+var pendingPathname = null;
+var timer = null;
+var listening = false;
+
+function getParams() {
+    return new URLSearchParams(window.location.search);
+}
+
+// Leaving the page drops unwritten values rather than writing them into the
+// next page's URL; router.navigate() flushes before it pushes.
+function discardPending() {
+    clearTimeout(timer);
+    timer = null;
+    pending = {};
+}
+
+exports.get = function(key) {
+    return getParams().get(key);
+};
+
+exports.getAll = function(key) {
+    return getParams().getAll(key);
+};
+
+// `value` may be a string, a number, an array of either (as repeated keys) or
+// null to remove the key.
+exports.set = function(key, value) {
+    if (!listening) {
+        window.addEventListener("popstate", discardPending);
+        listening = true;
+    }
+    if (!Object.keys(pending).length) {
+        pendingPathname = window.location.pathname;
+    }
+    pending[key] = value == null ? [] : [].concat(value).map(String);
+    clearTimeout(timer);
+    timer = setTimeout(exports.flush, DELAY);
+};
+
+// Writes pending values now.
+exports.flush = function() {
+    var keys = Object.keys(pending);
+    var values = pending;
+    discardPending();
+    if (!keys.length || window.location.pathname !== pendingPathname) {
+        return;
+    }
+
+    var params = getParams();
+    keys.forEach(function(key) {
+        params.delete(key);
+        values[key].forEach(function(value) {
+            params.append(key, value);
+        });
+    });
+
+    var search = params.toString();
+    var url = window.location.pathname + (search ? "?" + search : "") + window.location.hash;
+    if (url !== window.location.pathname + window.location.search + window.location.hash) {
+        window.history.replaceState(window.history.state, "", url);
+    }
+};
+
+// Calls `callback` whenever the URL changes under `component` (back/forward
+// or a routed link to the same page), until the component is destroyed.
+exports.onChange = function(component, callback) {
+    component.subscribeTo(window).on("popstate", callback);
+};
@@ -0,0 +1,25 @@
+// JSON values in web storage, read and written through the storage service
+// (see services.js). `type` is "local" or "session".
+
+// The value saved under `key`, or null when there is none, storage is
+// unavailable or the value is unreadable.
+exports.load = function(services, type, key) {
+    var storage = services.storage.get(type);
+    try {
+        return storage ? JSON.parse(storage.getItem(key)) : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+exports.save = function(services, type, key, value) {
+    var storage = services.storage.get(type);
+    if (!storage) {
+        return;
+    }
+    try {
+        storage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        // Quota exceeded or storage disabled; the value still works in memory.
+    }
+};